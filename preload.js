@@ -8,11 +8,25 @@ contextBridge.exposeInMainWorld('electronAPI', {
     deleteTemplate: (uid) => ipcRenderer.invoke('templates:delete', uid),
     loadTemplate: (uid) => ipcRenderer.send('templates:load', uid),
     showTemplates: () => ipcRenderer.send('app:show-templates'),
+    exportTemplate: (uid) => ipcRenderer.invoke('templates:export', uid),
+    importTemplate: () => ipcRenderer.invoke('templates:import'),
     // --- App Info ---
     getAppVersion: () => ipcRenderer.invoke('app:get-version'),
 
+    // --- Settings ---
+    getSettings: () => ipcRenderer.invoke('settings:get'),
+    updateSettings: (data) => ipcRenderer.invoke('settings:update', data),
+
+    // --- Snippets ---
+    getSnippets: () => ipcRenderer.invoke('snippets:get-all'),
+    saveSnippet: (data) => ipcRenderer.invoke('snippets:save', data),
+    deleteSnippet: (id) => ipcRenderer.invoke('snippets:delete', id),
+
     // --- File operation functions ---
     setFileState: (data) => ipcRenderer.send('file:set-state', data),
+    setFileStateBulk: (data) => ipcRenderer.send('file:set-state-bulk', data),
+    setFileTransform: (data) => ipcRenderer.send('file:set-transform', data),
+    getFileOutline: (filePath) => ipcRenderer.invoke('file:get-outline', filePath),
     pickFiles: async () => {
         const files = await ipcRenderer.invoke('open-file-dialog');
         if (!files || files.length === 0) return;
@@ -21,9 +35,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
     },
     // Function to handle picking a folder
     pickFolder: async () => {
-        const files = await ipcRenderer.invoke('open-folder-dialog');
-        if (!files || files.length === 0) return;
+        const { files, skippedCount } = await ipcRenderer.invoke('open-folder-dialog');
+        if (!files || files.length === 0) {
+            if (skippedCount > 0) {
+                window.dispatchEvent(new CustomEvent('files-read', { detail: { filesForRenderer: null, skippedCount } }));
+            }
+            return;
+        }
         const result = await ipcRenderer.invoke('read-files', files);
+        result.skippedCount = skippedCount;
         window.dispatchEvent(new CustomEvent('files-read', { detail: result }));
     },
 
@@ -47,11 +67,19 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     // Smart Paste functions
     findSimilarFiles: () => ipcRenderer.invoke('smart-paste:find-similar'),
-    applySmartPaste: (filePath) => ipcRenderer.invoke('smart-paste:apply-update', { filePath }),
+    applySmartPaste: (filePath, selection) => ipcRenderer.invoke('smart-paste:apply-update', { filePath, selection }),
+    previewSmartPaste: (filePath, selection) => ipcRenderer.invoke('smart-paste:preview', { filePath, selection }),
 
     // Import from Clipboard functions
     parseClipboardForImport: () => ipcRenderer.invoke('import:parse-clipboard'),
-    applyImport: (approvedPaths) => ipcRenderer.invoke('import:apply-changes', { approvedPaths }),
+    applyImport: (approvedPaths, selections) => ipcRenderer.invoke('import:apply-changes', { approvedPaths, selections }),
+    previewImport: (path, selection) => ipcRenderer.invoke('import:preview', { path, selection }),
+
+    // Apply history (undo for Smart Paste / Import writes)
+    getApplyHistory: () => ipcRenderer.invoke('history:get'),
+    undoLastApply: (force) => ipcRenderer.invoke('history:undo-last', force),
+    revertHistoryEntry: (operationId, filePath, force) => ipcRenderer.invoke('history:revert', { operationId, filePath, force }),
+    clearApplyHistory: () => ipcRenderer.invoke('history:clear'),
 
     // Function to improve the prompt text
     improvePrompt: (text) => ipcRenderer.invoke('improve-prompt', text),
@@ -62,10 +90,33 @@ contextBridge.exposeInMainWorld('electronAPI', {
         window.dispatchEvent(new CustomEvent('files-reloaded', { detail: result }));
     },
     reloadAndCopy: (payload) => ipcRenderer.invoke('reload-and-copy', payload),
+    savePromptAs: (payload) => ipcRenderer.invoke('save-prompt-as', payload),
     updateFileList: (fileObjects) => {
         ipcRenderer.send('update-file-list', fileObjects);
     },
     updatePrompt: (prompt) => ipcRenderer.send('session:update-prompt', prompt),
+    getIgnorePatterns: () => ipcRenderer.invoke('session:get-ignore-patterns'),
+    updateIgnorePatterns: (patterns) => ipcRenderer.send('session:update-ignore-patterns', patterns),
+    getSelectionRules: () => ipcRenderer.invoke('session:get-selection-rules'),
+    updateSelectionRules: (rules) => ipcRenderer.invoke('session:update-selection-rules', rules),
+    getSelectionSets: () => ipcRenderer.invoke('session:get-selection-sets'),
+    saveSelectionSet: (name) => ipcRenderer.invoke('session:save-selection-set', name),
+    applySelectionSets: (names) => ipcRenderer.invoke('session:apply-selection-sets', names),
+    deleteSelectionSet: (name) => ipcRenderer.invoke('session:delete-selection-set', name),
+    updateOutputFormat: (format) => ipcRenderer.send('session:update-output-format', format),
+    getLayout: () => ipcRenderer.invoke('session:get-layout'),
+    updateLayout: (data) => ipcRenderer.send('session:update-layout', data),
+    updateTokenBudget: (budget) => ipcRenderer.send('session:update-token-budget', budget),
+    updateTokenizer: (id) => ipcRenderer.send('session:update-tokenizer', id),
+    autoFit: (payload) => ipcRenderer.invoke('session:auto-fit', payload),
+    rerootTemplate: () => ipcRenderer.invoke('session:reroot'),
+    setSelectedFile: (filePath) => ipcRenderer.send('session:set-selected-file', filePath),
+
+    // --- Prompt history ---
+    getPromptHistory: () => ipcRenderer.invoke('prompt-history:get'),
+    deletePromptHistory: (id) => ipcRenderer.invoke('prompt-history:delete', id),
+    prunePromptHistory: (options) => ipcRenderer.invoke('prompt-history:prune', options),
+    diffPromptHistory: (data) => ipcRenderer.invoke('prompt-history:diff', data),
 
     // --- Event listeners ---
     onInitialLoad: (callback) => {
@@ -78,6 +129,6 @@ contextBridge.exposeInMainWorld('electronAPI', {
         window.addEventListener('files-reloaded', (e) => callback(e.detail));
     },
     onFileListUpdated: (callback) => {
-        ipcRenderer.on('file-list-updated', (_, files) => callback(files));
+        ipcRenderer.on('file-list-updated', (_, files, tokenCounts, countedPrompt) => callback(files, tokenCounts, countedPrompt));
     },
 });
\ No newline at end of file